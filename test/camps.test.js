@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, useApp, request, createUser } = require("./helpers/app");
+
+useApp();
+
+const campBody = {
+  campName: "Eye Camp",
+  campFees: 25,
+  startsAt: "2099-01-15T09:00:00+06:00",
+  endsAt: "2099-01-16T17:00:00+06:00",
+  timezone: "Asia/Dhaka",
+  location: "Dhaka",
+  healthcareProfessional: "Dr. Rahman",
+  targetAudience: "Adults",
+  description: "Free eye checkups",
+  specializedServices: ["Eye exam", "Glasses"],
+};
+
+test("updating a camp leaves the fields not sent unchanged", async () => {
+  const { token } = await createUser({ role: "organizer" });
+  const created = await request("POST", "/camps", { token, body: campBody });
+  assert.equal(created.status, 201);
+  const campId = created.body.camp._id;
+
+  const response = await request("PUT", `/camps/${campId}`, {
+    token,
+    body: { location: "Chittagong" },
+  });
+
+  assert.equal(response.status, 200);
+  const camp = await db.collection("camps").findOne({});
+  assert.equal(camp.location, "Chittagong");
+  assert.equal(camp.timezone, "Asia/Dhaka");
+  assert.deepEqual(camp.specializedServices, ["Eye exam", "Glasses"]);
+  assert.equal(camp.startsAt.toISOString(), "2099-01-15T03:00:00.000Z");
+  assert.equal(camp.endsAt.toISOString(), "2099-01-16T11:00:00.000Z");
+});
+
+test("moving a camp's start without an end makes it a single moment", async () => {
+  const { token } = await createUser({ role: "organizer" });
+  const created = await request("POST", "/camps", { token, body: campBody });
+
+  await request("PUT", `/camps/${created.body.camp._id}`, {
+    token,
+    body: { startsAt: "2099-02-01T09:00:00Z" },
+  });
+
+  const camp = await db.collection("camps").findOne({});
+  assert.equal(camp.startsAt.toISOString(), "2099-02-01T09:00:00.000Z");
+  assert.equal(camp.endsAt.toISOString(), "2099-02-01T09:00:00.000Z");
+  assert.equal(camp.dateTime, "2099-02-01T09:00:00.000Z");
+});
+
+test("camp times without a UTC offset are rejected", async () => {
+  const { token } = await createUser({ role: "organizer" });
+
+  const response = await request("POST", "/camps", {
+    token,
+    body: { ...campBody, startsAt: "2099-01-15T09:00", endsAt: undefined },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.details[0].field, "startsAt");
+  assert.equal(await db.collection("camps").countDocuments({}), 0);
+});
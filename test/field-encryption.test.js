@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const currentKey = crypto.randomBytes(32);
+const oldKey = crypto.randomBytes(32);
+process.env.FIELD_ENCRYPTION_KEYS = [
+  `current:${currentKey.toString("base64")}`,
+  `old:${oldKey.toString("base64")}`,
+].join(",");
+
+const { db, useApp, request, createUser } = require("./helpers/app");
+
+useApp();
+
+// The "v1:<iv>:<auth tag>:<data>" format documented in index.js
+const seal = (key, plaintext, context = "") => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(context));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return ["v1", iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64"))
+    .join(":");
+};
+
+const unseal = (key, ciphertext, context = "") => {
+  const [, iv, tag, data] = ciphertext
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+const details = {
+  phone: "0123456789",
+  age: 30,
+  emergencyContact: "0198765432",
+  medicalHistory: "Asthma",
+};
+
+const createCamp = async () => {
+  const { insertedId } = await db.collection("camps").insertOne({
+    campName: "Eye Camp",
+    campFees: 25,
+    dateTime: "2099-01-01",
+    location: "Dhaka",
+    organizerEmail: "organizer@example.com",
+    participantCount: 0,
+    deletedAt: null,
+  });
+  return insertedId;
+};
+
+const listRegistrations = async (user) =>
+  (await request("GET", "/registrations/participant", { token: user.token }))
+    .body;
+
+test("participant details are stored encrypted and read back in plaintext", async () => {
+  const participant = await createUser();
+  const campId = await createCamp();
+
+  const response = await request("POST", "/registrations", {
+    token: participant.token,
+    body: {
+      campId,
+      paymentMethod: "cash",
+      name: "Participant",
+      email: participant.email,
+      gender: "female",
+      ...details,
+    },
+  });
+
+  assert.equal(response.status, 201);
+  const stored = await db.collection("registrations").findOne({});
+  assert.equal(stored.dataKey.keyId, "current");
+  const dataKey = unseal(currentKey, stored.dataKey.key);
+  for (const [field, value] of Object.entries(details)) {
+    assert.match(stored[field], /^v1:/);
+    assert.equal(
+      JSON.parse(unseal(dataKey, stored[field], field).toString("utf8")),
+      value
+    );
+  }
+
+  const [registration] = await listRegistrations(participant);
+  assert.deepEqual(
+    Object.fromEntries(Object.keys(details).map((f) => [f, registration[f]])),
+    details
+  );
+  assert.equal(registration.dataKey, undefined);
+});
+
+test("details sealed under a retired master key can still be read", async () => {
+  const participant = await createUser();
+  const dataKey = crypto.randomBytes(32);
+  await db.collection("registrations").insertOne({
+    campId: await createCamp(),
+    userEmail: participant.email,
+    status: "confirmed",
+    phone: seal(dataKey, JSON.stringify(details.phone), "phone"),
+    age: seal(dataKey, JSON.stringify(details.age), "age"),
+    dataKey: { keyId: "old", key: seal(oldKey, dataKey) },
+  });
+
+  const [registration] = await listRegistrations(participant);
+
+  assert.equal(registration.phone, details.phone);
+  assert.equal(registration.age, details.age);
+});
@@ -0,0 +1,77 @@
+// Runs the app on a free port against the in-memory database, for one test
+// file. Every test starts with an empty database.
+const crypto = require("crypto");
+const { before, after, beforeEach } = require("node:test");
+const jwt = require("jsonwebtoken");
+const { MemoryMongoClient } = require("./memory-mongo");
+
+process.env.NODE_ENV = "test";
+process.env.LOG_LEVEL = "error";
+process.env.STRIPE_SECRET_KEY = "sk_test_unused";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_secret";
+process.env.JWT_TOKEN = "test-jwt-secret";
+process.env.AUTH_RATE_LIMIT_MAX ??= "1000";
+process.env.WRITE_RATE_LIMIT_MAX ??= "1000";
+process.env.FIELD_ENCRYPTION_KEYS ??= `test:${crypto
+  .randomBytes(32)
+  .toString("base64")}`;
+
+const app = require("../../index");
+
+const dbClient = new MemoryMongoClient();
+const db = dbClient.db("MCMS");
+let server;
+let baseUrl;
+
+// `stripe` replaces the Stripe client, e.g. with stubs for the calls a
+// test expects
+const useApp = ({ stripe } = {}) => {
+  before(async () => {
+    await app.start({ dbClient, stripe });
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    for (const collection of db.collections.values()) collection.docs = [];
+  });
+};
+
+// Resolves to { status, headers, body } with the body parsed as JSON
+const request = async (method, path, { token, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { "content-type": "application/json" }),
+      ...(token && { authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: text ? JSON.parse(text) : null,
+  };
+};
+
+// Store a user and sign an access token for them
+const createUser = async ({
+  email = "participant@example.com",
+  role = "participant",
+  ...fields
+} = {}) => {
+  const user = { email, role, emailVerified: true, ...fields };
+  const { insertedId } = await db.collection("users").insertOne(user);
+  const token = jwt.sign(
+    { email, userId: insertedId, role },
+    process.env.JWT_TOKEN
+  );
+  return { ...user, _id: insertedId, token };
+};
+
+module.exports = { app, db, useApp, request, createUser };
@@ -0,0 +1,291 @@
+// In-memory stand-in for a MongoClient, covering the driver calls the app
+// makes. Queries, updates and aggregations are evaluated with mingo.
+require("mingo/init/system");
+const mingo = require("mingo");
+const { update: applyUpdate } = require("mingo/updater");
+const { ObjectId } = require("mongodb");
+
+const clone = (value) => {
+  if (value instanceof ObjectId || value instanceof Date) return value;
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+const matches = (doc, filter) => new mingo.Query(filter || {}).test(doc);
+
+// Apply an update document or pipeline to `doc` in place
+const applyUpdateTo = (doc, update, inserting) => {
+  if (Array.isArray(update)) {
+    const [result] = mingo.aggregate([doc], update);
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, result);
+    return;
+  }
+  for (const [operator, fields] of Object.entries(update)) {
+    if (operator === "$setOnInsert") {
+      if (inserting) applyUpdate(doc, { $set: clone(fields) });
+    } else if (operator === "$currentDate") {
+      for (const field of Object.keys(fields)) {
+        applyUpdate(doc, { $set: { [field]: new Date() } });
+      }
+    } else {
+      applyUpdate(doc, { [operator]: clone(fields) });
+    }
+  }
+};
+
+// Plain equality conditions of a filter seed the document an upsert inserts
+const upsertSeed = (filter = {}) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(
+      ([key, value]) =>
+        !key.startsWith("$") &&
+        (value === null ||
+          typeof value !== "object" ||
+          value instanceof ObjectId ||
+          value instanceof Date)
+    )
+  );
+
+class DuplicateKeyError extends Error {
+  constructor() {
+    super("E11000 duplicate key error");
+    this.code = 11000;
+  }
+}
+
+class Cursor {
+  constructor(getDocs, { sort, projection } = {}) {
+    this.getDocs = getDocs;
+    this.options = { sort, projection, skip: 0, limit: 0 };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    const { sort, skip, limit, projection } = this.options;
+    let cursor = mingo.find(this.getDocs(), {}, projection);
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return clone(cursor.all());
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class Collection {
+  constructor(db) {
+    this.db = db;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  match(filter, sort) {
+    const docs = this.docs.filter((doc) => matches(doc, filter));
+    return sort ? mingo.find(docs, {}).sort(sort).all() : docs;
+  }
+
+  checkUnique(candidate, replacing) {
+    for (const { keys, partial } of this.uniqueIndexes) {
+      if (partial && !matches(candidate, partial)) continue;
+      const clash = this.docs.some(
+        (doc) =>
+          doc !== replacing &&
+          (!partial || matches(doc, partial)) &&
+          keys.every((key) => String(doc[key]) === String(candidate[key]))
+      );
+      if (clash) throw new DuplicateKeyError();
+    }
+  }
+
+  find(filter, options) {
+    return new Cursor(() => this.match(filter), options);
+  }
+
+  async findOne(filter, { sort, projection } = {}) {
+    const [doc] = await this.find(filter, { sort, projection })
+      .limit(1)
+      .toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter) {
+    return this.match(filter).length;
+  }
+
+  async distinct(field, filter) {
+    const values = this.match(filter).map((doc) => doc[field]);
+    return values.filter(
+      (value, index) =>
+        values.findIndex((other) => String(other) === String(value)) === index
+    );
+  }
+
+  async insertOne(doc) {
+    if (!doc._id) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  // Returns the before and after images of the first affected document
+  update(filter, update, { upsert, sort, many } = {}) {
+    const targets = this.match(filter, sort).slice(0, many ? undefined : 1);
+    if (!targets.length && upsert) {
+      const doc = upsertSeed(filter);
+      applyUpdateTo(doc, update, true);
+      if (!doc._id) doc._id = new ObjectId();
+      this.checkUnique(doc);
+      this.docs.push(doc);
+      return { matched: 0, before: null, after: doc, upsertedId: doc._id };
+    }
+
+    let images = { before: null, after: null };
+    for (const doc of targets) {
+      const updated = clone(doc);
+      applyUpdateTo(updated, update, false);
+      this.checkUnique(updated, doc);
+      if (!images.before) images = { before: clone(doc), after: updated };
+      Object.keys(doc).forEach((key) => delete doc[key]);
+      Object.assign(doc, updated);
+    }
+    return { matched: targets.length, ...images, upsertedId: null };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { matched, upsertedId } = this.update(filter, update, options);
+    return {
+      acknowledged: true,
+      matchedCount: matched,
+      modifiedCount: matched,
+      upsertedCount: upsertedId ? 1 : 0,
+      upsertedId,
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.updateOne(filter, update, { ...options, many: true });
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const { before, after } = this.update(filter, update, options);
+    return clone(options.returnDocument === "after" ? after : before);
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.match(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const doomed = this.match(filter);
+    this.docs = this.docs.filter((doc) => !doomed.includes(doc));
+    return { acknowledged: true, deletedCount: doomed.length };
+  }
+
+  aggregate(pipeline) {
+    const run = () =>
+      clone(
+        mingo.aggregate(this.docs, pipeline, {
+          collectionResolver: (name) => this.db.collection(name).docs,
+        })
+      );
+    return {
+      toArray: async () => run(),
+      async *[Symbol.asyncIterator]() {
+        yield* run();
+      },
+    };
+  }
+
+  async createIndex(keys, { unique, partialFilterExpression } = {}) {
+    if (unique) {
+      this.uniqueIndexes.push({
+        keys: Object.keys(keys),
+        partial: partialFilterExpression,
+      });
+    }
+    return Object.keys(keys).join("_");
+  }
+}
+
+class Db {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Collection(this));
+    }
+    return this.collections.get(name);
+  }
+
+  async command() {
+    return { ok: 1 };
+  }
+
+  listCollections() {
+    return { toArray: async () => [] };
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+}
+
+class MemoryMongoClient {
+  constructor() {
+    this.dbs = new Map();
+  }
+
+  db(name) {
+    if (!this.dbs.has(name)) this.dbs.set(name, new Db());
+    return this.dbs.get(name);
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async close() {}
+}
+
+module.exports = { MemoryMongoClient };
@@ -0,0 +1,63 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.AUTH_RATE_LIMIT_MAX = "3";
+process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES = "15";
+process.env.WRITE_RATE_LIMIT_MAX = "2";
+process.env.WRITE_RATE_LIMIT_WINDOW_SECONDS = "60";
+
+// Windows are timed with Date.now(), which the tests move forward
+mock.timers.enable({ apis: ["Date"], now: Date.now() });
+
+const { useApp, request, createUser } = require("./helpers/app");
+
+useApp();
+
+const submitFeedback = (user) =>
+  request("POST", "/feedback", { token: user.token, body: {} });
+
+const login = (email) =>
+  request("POST", "/login", { body: { email, password: "wrong password" } });
+
+test("write routes answer 429 once a user runs out of requests", async () => {
+  const user = await createUser({ email: "busy@example.com" });
+  const other = await createUser({ email: "other@example.com" });
+
+  const allowed = [await submitFeedback(user), await submitFeedback(user)];
+  const limited = await submitFeedback(user);
+
+  for (const response of allowed) assert.notEqual(response.status, 429);
+  assert.equal(allowed[1].headers.get("ratelimit-remaining"), "0");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, "RATE_LIMITED");
+  assert.equal(limited.headers.get("retry-after"), "60");
+  assert.notEqual((await submitFeedback(other)).status, 429);
+});
+
+test("a write limit lifts when its window ends", async () => {
+  const user = await createUser({ email: "patient@example.com" });
+  await submitFeedback(user);
+  await submitFeedback(user);
+  assert.equal((await submitFeedback(user)).status, 429);
+
+  mock.timers.tick(30 * 1000);
+  const waiting = await submitFeedback(user);
+  assert.equal(waiting.status, 429);
+  assert.equal(waiting.headers.get("retry-after"), "30");
+
+  mock.timers.tick(30 * 1000);
+  assert.notEqual((await submitFeedback(user)).status, 429);
+});
+
+test("sign-in attempts are limited per account and lift after the window", async () => {
+  const attempts = [];
+  for (let i = 0; i < 3; i++) attempts.push(await login("victim@example.com"));
+  const limited = await login("victim@example.com");
+
+  for (const response of attempts) assert.equal(response.status, 401);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("retry-after"), String(15 * 60));
+
+  mock.timers.tick(15 * 60 * 1000);
+  assert.equal((await login("victim@example.com")).status, 401);
+});
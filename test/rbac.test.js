@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, useApp, request, createUser } = require("./helpers/app");
+
+useApp();
+
+const createCamp = async (organizerEmail) => {
+  const { insertedId } = await db.collection("camps").insertOne({
+    campName: "Eye Camp",
+    campFees: 25,
+    dateTime: "2099-01-01",
+    location: "Dhaka",
+    healthcareProfessional: "Dr. Rahman",
+    targetAudience: "Adults",
+    description: "Free eye checkups",
+    organizerEmail,
+    participantCount: 0,
+    deletedAt: null,
+  });
+  return insertedId;
+};
+
+const updateCamp = (token, campId) =>
+  request("PUT", `/camps/${campId}`, {
+    token,
+    body: { location: "Chittagong" },
+  });
+
+test("requests without an access token are turned away", async () => {
+  const response = await request("GET", "/profile");
+
+  assert.equal(response.status, 401);
+});
+
+test("participants cannot create camps", async () => {
+  const participant = await createUser();
+
+  const response = await request("POST", "/camps", {
+    token: participant.token,
+    body: { campName: "Eye Camp" },
+  });
+
+  assert.equal(response.status, 403);
+  assert.equal(await db.collection("camps").countDocuments({}), 0);
+});
+
+test("organizers can only update their own camps", async () => {
+  const owner = await createUser({
+    email: "owner@example.com",
+    role: "organizer",
+  });
+  const other = await createUser({
+    email: "other@example.com",
+    role: "organizer",
+  });
+  const campId = await createCamp(owner.email);
+
+  assert.equal((await updateCamp(other.token, campId)).status, 403);
+  assert.equal((await updateCamp(owner.token, campId)).status, 200);
+});
+
+test("admins can update any camp", async () => {
+  const admin = await createUser({ email: "admin@example.com", role: "admin" });
+  const campId = await createCamp("owner@example.com");
+
+  const response = await updateCamp(admin.token, campId);
+
+  assert.equal(response.status, 200);
+  const camp = await db.collection("camps").findOne({ _id: campId });
+  assert.equal(camp.location, "Chittagong");
+});
+
+test("only admins manage users", async () => {
+  const organizer = await createUser({ role: "organizer" });
+  const admin = await createUser({ email: "admin@example.com", role: "admin" });
+
+  const denied = await request("PATCH", `/admin/users/${organizer._id}/role`, {
+    token: organizer.token,
+    body: { role: "admin" },
+  });
+  assert.equal(denied.status, 403);
+  assert.equal(
+    (await request("GET", "/admin/users", { token: organizer.token })).status,
+    403
+  );
+
+  const allowed = await request("PATCH", `/admin/users/${organizer._id}/role`, {
+    token: admin.token,
+    body: { role: "participant" },
+  });
+  assert.equal(allowed.status, 200);
+  const user = await db.collection("users").findOne({ _id: organizer._id });
+  assert.equal(user.role, "participant");
+});
+
+test("a demotion takes effect before the token expires", async () => {
+  const { _id, token } = await createUser({ role: "admin" });
+  await db
+    .collection("users")
+    .updateOne({ _id }, { $set: { role: "participant" } });
+
+  const response = await request("GET", "/admin/users", { token });
+
+  assert.equal(response.status, 403);
+});
+
+test("suspended accounts are locked out", async () => {
+  const organizer = await createUser({
+    role: "organizer",
+    status: "suspended",
+  });
+
+  const response = await request("GET", "/profile", { token: organizer.token });
+
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,99 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const { db, useApp, request, createUser } = require("./helpers/app");
+
+useApp();
+
+const password = "correct horse battery staple";
+
+const refreshCookie = (response) => {
+  const cookie = response.headers
+    .getSetCookie()
+    .find((header) => header.startsWith("refreshToken="));
+  return cookie && cookie.split(";")[0];
+};
+
+const login = async () => {
+  await createUser({ password: await bcrypt.hash(password, 4) });
+  const response = await request("POST", "/login", {
+    body: { email: "participant@example.com", password },
+  });
+  assert.equal(response.status, 200);
+  return refreshCookie(response);
+};
+
+const refresh = (cookie) =>
+  request("POST", "/token/refresh", { headers: { cookie } });
+
+// Push every rotation out of the grace period
+const expireGracePeriod = () =>
+  db
+    .collection("refreshTokens")
+    .updateMany(
+      { revokedReason: "rotated" },
+      { $set: { revokedAt: new Date(Date.now() - 60 * 1000) } }
+    );
+
+test("refreshing rotates the refresh token", async () => {
+  const cookie = await login();
+
+  const response = await refresh(cookie);
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.token);
+  const next = refreshCookie(response);
+  assert.ok(next);
+  assert.notEqual(next, cookie);
+  assert.equal((await refresh(next)).status, 200);
+});
+
+test("concurrent refreshes with one token share the same successor", async () => {
+  const cookie = await login();
+
+  const [first, second] = await Promise.all([refresh(cookie), refresh(cookie)]);
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(refreshCookie(first), refreshCookie(second));
+  const revoked = await db
+    .collection("refreshTokens")
+    .countDocuments({ revokedReason: "reuse_detected" });
+  assert.equal(revoked, 0);
+});
+
+test("replaying a rotated token revokes the whole session family", async () => {
+  const cookie = await login();
+  const next = refreshCookie(await refresh(cookie));
+  await expireGracePeriod();
+
+  const replay = await refresh(cookie);
+
+  assert.equal(replay.status, 401);
+  assert.equal(replay.body.code, "TOKEN_INVALID");
+  assert.equal((await refresh(next)).status, 401);
+  const active = await db
+    .collection("refreshTokens")
+    .countDocuments({ revokedAt: null });
+  assert.equal(active, 0);
+});
+
+test("a token is only honoured once within the grace period", async () => {
+  const cookie = await login();
+  await refresh(cookie);
+  assert.equal((await refresh(cookie)).status, 200);
+
+  const third = await refresh(cookie);
+
+  assert.equal(third.status, 401);
+});
+
+test("the grace period does not revive a token whose successor was rotated", async () => {
+  const cookie = await login();
+  const next = refreshCookie(await refresh(cookie));
+  assert.equal((await refresh(next)).status, 200);
+
+  const replay = await refresh(cookie);
+
+  assert.equal(replay.status, 401);
+});
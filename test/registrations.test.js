@@ -0,0 +1,135 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+// The background expiry of unpaid holds runs on setInterval
+mock.timers.enable({ apis: ["setInterval"] });
+
+const { db, useApp, request, createUser } = require("./helpers/app");
+
+useApp();
+
+const createCamp = async (fields = {}) => {
+  const camp = {
+    campName: "Eye Camp",
+    campFees: 25,
+    dateTime: "2099-01-01",
+    location: "Dhaka",
+    organizerEmail: "organizer@example.com",
+    capacity: 1,
+    participantCount: 0,
+    deletedAt: null,
+    ...fields,
+  };
+  const { insertedId } = await db.collection("camps").insertOne(camp);
+  return { ...camp, _id: insertedId };
+};
+
+const register = (user, camp, paymentMethod = "cash") =>
+  request("POST", "/registrations", {
+    token: user.token,
+    body: {
+      campId: camp._id,
+      paymentMethod,
+      name: "Participant",
+      email: user.email,
+      phone: "0123456789",
+      age: 30,
+      gender: "female",
+      emergencyContact: "0198765432",
+    },
+  });
+
+const findRegistration = (user) =>
+  db.collection("registrations").findOne({ userEmail: user.email });
+
+const participantCount = async (camp) =>
+  (await db.collection("camps").findOne({ _id: camp._id })).participantCount;
+
+test("concurrent registrations never take more seats than the camp has", async () => {
+  const camp = await createCamp({ capacity: 2 });
+  const users = await Promise.all(
+    [1, 2, 3, 4, 5].map((n) => createUser({ email: `p${n}@example.com` }))
+  );
+
+  const responses = await Promise.all(
+    users.map((user) => register(user, camp))
+  );
+
+  const statuses = responses.map((response) => response.body.status).sort();
+  assert.deepEqual(statuses, [
+    "confirmed",
+    "confirmed",
+    "waitlisted",
+    "waitlisted",
+    "waitlisted",
+  ]);
+  assert.equal(await participantCount(camp), 2);
+});
+
+test("a cancelled seat goes to the first participant on the waitlist", async () => {
+  const camp = await createCamp();
+  const first = await createUser({ email: "first@example.com" });
+  const second = await createUser({ email: "second@example.com" });
+  const third = await createUser({ email: "third@example.com" });
+  await register(first, camp);
+  await register(second, camp);
+  await register(third, camp);
+
+  const registration = await findRegistration(first);
+  const response = await request(
+    "PATCH",
+    `/registrations/participant/${registration._id}/cancel`,
+    { token: first.token }
+  );
+
+  assert.equal(response.status, 200);
+  assert.equal((await findRegistration(second)).status, "confirmed");
+  assert.equal((await findRegistration(third)).status, "waitlisted");
+  assert.equal(await participantCount(camp), 1);
+});
+
+test("a participant promoted into a paid camp gets a payment deadline", async () => {
+  const camp = await createCamp();
+  const first = await createUser({ email: "first@example.com" });
+  const second = await createUser({ email: "second@example.com" });
+  await register(first, camp);
+  await register(second, camp, "card");
+
+  const registration = await findRegistration(first);
+  await request(
+    "PATCH",
+    `/registrations/participant/${registration._id}/cancel`,
+    { token: first.token }
+  );
+
+  const promoted = await findRegistration(second);
+  assert.equal(promoted.status, "pending_payment");
+  assert.ok(promoted.paymentDeadline > new Date());
+  assert.equal(await participantCount(camp), 1);
+});
+
+test("unpaid card holds are released once their deadline passes", async () => {
+  const camp = await createCamp();
+  const holder = await createUser({ email: "holder@example.com" });
+  const waiting = await createUser({ email: "waiting@example.com" });
+  const response = await register(holder, camp, "card");
+  assert.equal(response.body.status, "pending_payment");
+  await register(waiting, camp);
+  await db
+    .collection("registrations")
+    .updateOne(
+      { userEmail: holder.email },
+      { $set: { paymentDeadline: new Date(Date.now() - 1000) } }
+    );
+
+  // Nobody registers for the camp; the background sweep frees the seat
+  mock.timers.tick(60 * 1000);
+  for (let i = 0; i < 20; i++) {
+    if ((await findRegistration(waiting)).status === "confirmed") break;
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  assert.equal((await findRegistration(holder)).status, "expired");
+  assert.equal((await findRegistration(waiting)).status, "confirmed");
+  assert.equal(await participantCount(camp), 1);
+});
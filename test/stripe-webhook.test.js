@@ -0,0 +1,368 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const Stripe = require("stripe");
+const { ObjectId } = require("mongodb");
+const { db, useApp, request, createUser } = require("./helpers/app");
+
+const refunds = [];
+// Runs while Stripe is "processing" a refund, before create() resolves
+let duringRefund = null;
+const paymentIntents = new Map();
+const stripe = {
+  webhooks: Stripe.webhooks,
+  paymentIntents: {
+    retrieve: async (id) => paymentIntents.get(id),
+  },
+  refunds: {
+    create: async (params, options) => {
+      refunds.push({ params, options });
+      const refund = { id: `re_${refunds.length}`, amount: 2500, ...params };
+      if (duringRefund) await duringRefund(refund);
+      return refund;
+    },
+  },
+};
+
+useApp({ stripe });
+
+beforeEach(() => {
+  refunds.length = 0;
+  duringRefund = null;
+  paymentIntents.clear();
+});
+
+// Sign the payload the way Stripe does, with the endpoint's secret
+const sendWebhook = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload: JSON.stringify(event),
+    secret,
+  });
+  return request("POST", "/api/stripe/webhook", {
+    body: event,
+    headers: { "stripe-signature": signature },
+  });
+};
+
+const stripeEvent = (type, object) => ({
+  id: `evt_${crypto.randomBytes(8).toString("hex")}`,
+  object: "event",
+  type,
+  data: { object },
+});
+
+const createCamp = async (fields = {}) => {
+  const camp = {
+    campName: "Eye Camp",
+    campFees: 25,
+    dateTime: "2099-01-01",
+    location: "Dhaka",
+    organizerEmail: "organizer@example.com",
+    capacity: 10,
+    participantCount: 0,
+    deletedAt: null,
+    ...fields,
+  };
+  const { insertedId } = await db.collection("camps").insertOne(camp);
+  return { ...camp, _id: insertedId };
+};
+
+// A checkout as POST /api/create-payment-intent stores it, and the intent
+// Stripe reports once the participant has paid
+const createCheckout = async (camp, { amount = 2500 } = {}) => {
+  const paymentIntent = {
+    id: `pi_${crypto.randomBytes(8).toString("hex")}`,
+    object: "payment_intent",
+    amount,
+    currency: "usd",
+    status: "succeeded",
+    metadata: { campId: camp._id.toString() },
+  };
+  await db.collection("checkouts").insertOne({
+    paymentIntentId: paymentIntent.id,
+    campId: camp._id,
+    userEmail: "participant@example.com",
+    userId: new ObjectId().toString(),
+    registrationData: {
+      name: "Participant",
+      email: "participant@example.com",
+      phone: "0123456789",
+      age: 30,
+      gender: "female",
+      emergencyContact: "0198765432",
+      medicalHistory: "",
+    },
+    amount,
+    currency: "usd",
+    status: "requires_payment",
+    createdAt: new Date(),
+  });
+  return paymentIntent;
+};
+
+const chargeRefunded = (paymentIntent) =>
+  stripeEvent("charge.refunded", {
+    id: `ch_${paymentIntent.id}`,
+    object: "charge",
+    payment_intent: paymentIntent.id,
+    refunded: true,
+    amount_refunded: paymentIntent.amount,
+  });
+
+const findCheckout = (paymentIntent) =>
+  db.collection("checkouts").findOne({ paymentIntentId: paymentIntent.id });
+
+test("rejects payloads not signed with the webhook secret", async () => {
+  const camp = await createCamp();
+  const paymentIntent = await createCheckout(camp);
+
+  const response = await sendWebhook(
+    stripeEvent("payment_intent.succeeded", paymentIntent),
+    "whsec_someone_else"
+  );
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, "INVALID_SIGNATURE");
+  assert.equal(await db.collection("registrations").countDocuments({}), 0);
+});
+
+test("payment_intent.succeeded registers the participant once", async () => {
+  const camp = await createCamp();
+  const paymentIntent = await createCheckout(camp);
+  const event = stripeEvent("payment_intent.succeeded", paymentIntent);
+
+  assert.equal((await sendWebhook(event)).status, 200);
+  // Stripe retries deliveries, so a replay must not register twice
+  assert.equal((await sendWebhook(event)).status, 200);
+
+  const registrations = await db
+    .collection("registrations")
+    .find({ paymentIntentId: paymentIntent.id })
+    .toArray();
+  assert.equal(registrations.length, 1);
+  assert.equal(registrations[0].status, "confirmed");
+  assert.equal(registrations[0].paymentStatus, "paid");
+  assert.equal(
+    await db
+      .collection("payments")
+      .countDocuments({ paymentIntentId: paymentIntent.id }),
+    1
+  );
+  assert.equal(
+    (await db.collection("camps").findOne({ _id: camp._id })).participantCount,
+    1
+  );
+  assert.equal((await findCheckout(paymentIntent)).status, "completed");
+  assert.equal(refunds.length, 0);
+});
+
+test("payment_intent.succeeded refunds a payment that does not match the camp fee", async () => {
+  const camp = await createCamp();
+  const paymentIntent = await createCheckout(camp, { amount: 100 });
+
+  const response = await sendWebhook(
+    stripeEvent("payment_intent.succeeded", paymentIntent)
+  );
+
+  assert.equal(response.status, 200);
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].params.payment_intent, paymentIntent.id);
+  assert.equal(
+    refunds[0].options.idempotencyKey,
+    `checkout-refund-${paymentIntent.id}`
+  );
+  const checkout = await findCheckout(paymentIntent);
+  assert.equal(checkout.status, "refunded");
+  assert.equal(checkout.refundReason, "mismatch");
+  assert.equal(await db.collection("registrations").countDocuments({}), 0);
+});
+
+test("payment_intent.succeeded refunds a second payment for the same camp", async () => {
+  const camp = await createCamp();
+  const first = await createCheckout(camp);
+  const second = await createCheckout(camp);
+
+  await sendWebhook(stripeEvent("payment_intent.succeeded", first));
+  const event = stripeEvent("payment_intent.succeeded", second);
+  assert.equal((await sendWebhook(event)).status, 200);
+  // A replay after the refund neither refunds again nor registers
+  assert.equal((await sendWebhook(event)).status, 200);
+
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].params.payment_intent, second.id);
+  const checkout = await findCheckout(second);
+  assert.equal(checkout.status, "refunded");
+  assert.equal(checkout.refundReason, "duplicate");
+  assert.equal(await db.collection("registrations").countDocuments({}), 1);
+});
+
+test("payment_intent.succeeded refunds a payment for a deleted camp", async () => {
+  const camp = await createCamp({ deletedAt: new Date() });
+  const paymentIntent = await createCheckout(camp);
+
+  await sendWebhook(stripeEvent("payment_intent.succeeded", paymentIntent));
+
+  assert.equal(refunds.length, 1);
+  assert.equal(
+    (await findCheckout(paymentIntent)).refundReason,
+    "camp_deleted"
+  );
+  assert.equal(await db.collection("registrations").countDocuments({}), 0);
+});
+
+test("payment_intent.succeeded after the payment deadline does not revive the lapsed hold", async () => {
+  const camp = await createCamp({ capacity: 1, participantCount: 1 });
+  const registrations = db.collection("registrations");
+  const { insertedId: holdId } = await registrations.insertOne({
+    campId: camp._id,
+    userEmail: "participant@example.com",
+    status: "pending_payment",
+    paymentMethod: "card",
+    paymentStatus: "unpaid",
+    paymentDeadline: new Date(Date.now() - 1000),
+  });
+  await registrations.insertOne({
+    campId: camp._id,
+    userEmail: "next@example.com",
+    status: "waitlisted",
+    paymentMethod: "cash",
+    paymentStatus: "pending",
+    waitlistNumber: 1,
+  });
+  const paymentIntent = await createCheckout(camp);
+
+  await sendWebhook(stripeEvent("payment_intent.succeeded", paymentIntent));
+
+  // The seat went to the waitlist, so the late payment joins it
+  assert.equal(
+    (await registrations.findOne({ _id: holdId })).status,
+    "expired"
+  );
+  const next = await registrations.findOne({ userEmail: "next@example.com" });
+  assert.equal(next.status, "confirmed");
+  const paid = await registrations.findOne({
+    paymentIntentId: paymentIntent.id,
+  });
+  assert.equal(paid.status, "waitlisted");
+  assert.equal(paid.paymentStatus, "paid");
+});
+
+test("payment_intent.payment_failed marks the checkout failed", async () => {
+  const camp = await createCamp();
+  const paymentIntent = await createCheckout(camp);
+
+  await sendWebhook(
+    stripeEvent("payment_intent.payment_failed", {
+      ...paymentIntent,
+      status: "requires_payment_method",
+      last_payment_error: { message: "Your card was declined." },
+    })
+  );
+
+  const checkout = await findCheckout(paymentIntent);
+  assert.equal(checkout.status, "failed");
+  assert.equal(checkout.failureMessage, "Your card was declined.");
+});
+
+test("charge.refunded cancels the registration and frees its seat", async () => {
+  const camp = await createCamp();
+  const paymentIntent = await createCheckout(camp);
+  await sendWebhook(stripeEvent("payment_intent.succeeded", paymentIntent));
+
+  await sendWebhook(chargeRefunded(paymentIntent));
+
+  const registration = await db
+    .collection("registrations")
+    .findOne({ paymentIntentId: paymentIntent.id });
+  assert.equal(registration.status, "cancelled");
+  assert.equal(registration.paymentStatus, "refunded");
+  assert.equal(
+    (await db.collection("camps").findOne({ _id: camp._id })).participantCount,
+    0
+  );
+  const payment = await db
+    .collection("payments")
+    .findOne({ paymentIntentId: paymentIntent.id });
+  assert.equal(payment.status, "refunded");
+});
+
+test("a replayed charge.refunded leaves the recorded refund alone", async () => {
+  const camp = await createCamp();
+  const paymentIntent = await createCheckout(camp);
+  await sendWebhook(stripeEvent("payment_intent.succeeded", paymentIntent));
+  const event = chargeRefunded(paymentIntent);
+  await sendWebhook(event);
+  const registrations = db.collection("registrations");
+  const { refundedAt } = await registrations.findOne({
+    paymentIntentId: paymentIntent.id,
+  });
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await sendWebhook(event);
+
+  const registration = await registrations.findOne({
+    paymentIntentId: paymentIntent.id,
+  });
+  assert.deepEqual(registration.refundedAt, refundedAt);
+  const payment = await db
+    .collection("payments")
+    .findOne({ paymentIntentId: paymentIntent.id });
+  assert.deepEqual(payment.refundedAt, refundedAt);
+});
+
+test("a cancellation still succeeds when its refund webhook arrives first", async () => {
+  const { token } = await createUser();
+  const camp = await createCamp();
+  const paymentIntent = await createCheckout(camp);
+  await sendWebhook(stripeEvent("payment_intent.succeeded", paymentIntent));
+  const registration = await db
+    .collection("registrations")
+    .findOne({ paymentIntentId: paymentIntent.id });
+  duringRefund = () => sendWebhook(chargeRefunded(paymentIntent));
+
+  const response = await request(
+    "PATCH",
+    `/registrations/participant/${registration._id}/cancel`,
+    { token }
+  );
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.refund.refunded, true);
+  assert.equal(refunds.length, 1);
+  const cancelled = await db
+    .collection("registrations")
+    .findOne({ _id: registration._id });
+  assert.equal(cancelled.status, "cancelled");
+  assert.equal(cancelled.cancelledBy, "participant");
+  assert.equal(cancelled.refundId, "re_1");
+  // The seat is freed once, by whichever update cancelled first
+  assert.equal(
+    (await db.collection("camps").findOne({ _id: camp._id })).participantCount,
+    0
+  );
+});
+
+test("confirm-payment never refunds an intent without a checkout", async () => {
+  const { token } = await createUser();
+  const camp = await createCamp();
+  // Someone else's succeeded intent, never stored as a checkout here
+  const paymentIntent = {
+    id: "pi_someone_else",
+    object: "payment_intent",
+    amount: 2500,
+    currency: "usd",
+    status: "succeeded",
+    metadata: {},
+  };
+  paymentIntents.set(paymentIntent.id, paymentIntent);
+
+  const response = await request("POST", "/api/confirm-payment", {
+    token,
+    body: { payment_intent_id: paymentIntent.id, campId: camp._id },
+  });
+
+  assert.equal(response.status, 404);
+  assert.equal(response.body.code, "CHECKOUT_NOT_FOUND");
+  assert.equal(refunds.length, 0);
+  assert.equal(await db.collection("registrations").countDocuments({}), 0);
+});
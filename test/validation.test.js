@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, useApp, request, createUser } = require("./helpers/app");
+
+useApp();
+
+const assertInvalid = (response, fields) => {
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    response.body.details.map((detail) => detail.field),
+    fields
+  );
+};
+
+test("sign-in rejects query operators in place of credentials", async () => {
+  await createUser();
+
+  const response = await request("POST", "/login", {
+    body: { email: { $ne: null }, password: { $ne: null } },
+  });
+
+  assertInvalid(response, ["email", "password"]);
+});
+
+test("registration lists every missing field", async () => {
+  const response = await request("POST", "/register", { body: {} });
+
+  assertInvalid(response, ["name", "email", "password"]);
+  assert.equal(await db.collection("users").countDocuments({}), 0);
+});
+
+test("Firebase sign-in requires an ID token string", async () => {
+  assertInvalid(await request("POST", "/jwt", { body: {} }), ["idToken"]);
+  assertInvalid(
+    await request("POST", "/jwt", { body: { idToken: { $gt: "" } } }),
+    ["idToken"]
+  );
+});
+
+test("feedback needs a valid camp ID and a rating from 1 to 5", async () => {
+  const participant = await createUser();
+
+  const response = await request("POST", "/feedback", {
+    token: participant.token,
+    body: { campId: "not-an-id", rating: 6 },
+  });
+
+  assertInvalid(response, ["campId", "rating"]);
+  assert.equal(response.body.details[1].message, "must be at most 5");
+  assert.equal(await db.collection("feedback").countDocuments({}), 0);
+});
+
+test("fields a schema does not know are dropped", async () => {
+  const participant = await createUser();
+
+  const response = await request("PUT", "/profile", {
+    token: participant.token,
+    body: { displayName: "Participant", role: "admin", status: "suspended" },
+  });
+
+  assert.equal(response.status, 200);
+  const user = await db.collection("users").findOne({ _id: participant._id });
+  assert.equal(user.displayName, "Participant");
+  assert.equal(user.role, "participant");
+  assert.equal(user.status, undefined);
+});